@@ -0,0 +1,133 @@
+const { BSON } = require("mongodb");
+
+// pagination: page size bounds for cursor-paginated listings
+const defaultPageSize = 20;
+const maxPageSize = 100;
+
+// pagination helper: opaque cursor <-> last seen sort values
+const encodeCursor = (payload) => Buffer.from(BSON.EJSON.stringify(payload)).toString("base64url");
+
+const decodeCursor = (cursor) => {
+    try {
+        return BSON.EJSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    } catch {
+        return null;
+    }
+};
+
+// pagination helper: documents after the cursor position for a multi-field sort
+const getKeysetCondition = (sortFields, values) => {
+    const branches = sortFields.map(([field, direction], index) => {
+        const branch = {};
+        sortFields.slice(0, index).forEach(([previousField], previousIndex) => {
+            branch[previousField] = values[previousIndex];
+        });
+
+        const value = values[index];
+        if (value === null) {
+            // nulls sort first ascending and last descending
+            branch[field] = direction === 1 ? { $ne: null } : { $in: [] };
+        } else if (direction === 1) {
+            branch[field] = { $gt: value };
+        } else {
+            // missing values come after every real value descending
+            branch.$or = [{ [field]: { $lt: value } }, { [field]: null }];
+        }
+        return branch;
+    });
+
+    return { $or: branches };
+};
+
+// pagination helper: keyset paginated listing with the shared envelope
+// params: cursor, limit, sortBy (preset name), sortOrder (asc|desc), includeTotal ("true")
+// returns the envelope or { message } for an invalid cursor
+const paginateWithCursor = async (collection, query, params, config) => {
+    const { sorts, defaultSort, transform } = config;
+
+    let limit = Number(params.limit) || defaultPageSize;
+    limit = Math.min(Math.max(limit, 1), maxPageSize);
+
+    const sortBy = sorts[params.sortBy] ? params.sortBy : defaultSort;
+    const preset = sorts[sortBy];
+    const isTextScore = preset === "textScore";
+
+    let sortFields = isTextScore ? [] : [...preset, ["_id", preset[0][1]]];
+    let sortOrder = isTextScore ? "desc" : (preset[0][1] === 1 ? "asc" : "desc");
+    if (!isTextScore && ["asc", "desc"].includes(params.sortOrder) && params.sortOrder !== sortOrder) {
+        sortFields = sortFields.map(([field, direction]) => [field, -direction]);
+        sortOrder = params.sortOrder;
+    }
+
+    let position = null;
+    if (params.cursor) {
+        position = decodeCursor(params.cursor);
+        if (!position || position.sortBy !== sortBy || position.sortOrder !== sortOrder) {
+            return { message: "Invalid cursor" };
+        }
+    }
+
+    let findQuery = query;
+    let cursor;
+
+    if (isTextScore) {
+        // relevance scores can't be used as keys, fall back to an offset cursor
+        cursor = collection
+            .find(findQuery)
+            .project({ score: { $meta: "textScore" } })
+            .sort({ score: { $meta: "textScore" }, _id: -1 })
+            .skip(position?.offset || 0);
+    } else {
+        if (position) {
+            findQuery = { $and: [query, getKeysetCondition(sortFields, position.values)] };
+        }
+
+        const sort = {};
+        sortFields.forEach(([field, direction]) => {
+            sort[field] = direction;
+        });
+
+        cursor = collection.find(findQuery).sort(sort);
+        if (query.$text) {
+            cursor = cursor.project({ score: { $meta: "textScore" } });
+        }
+    }
+
+    // one extra document tells whether another page exists
+    const documents = await cursor.limit(limit + 1).toArray();
+    const has_more = documents.length > limit;
+    const pageDocuments = has_more ? documents.slice(0, limit) : documents;
+
+    let next_cursor = null;
+    if (has_more) {
+        const last = pageDocuments[pageDocuments.length - 1];
+        const payload = isTextScore
+            ? { offset: (position?.offset || 0) + limit }
+            : { values: sortFields.map(([field]) => last[field] ?? null) };
+        next_cursor = encodeCursor({ ...payload, sortBy, sortOrder });
+    }
+
+    const envelope = {
+        result: transform ? pageDocuments.map(transform) : pageDocuments,
+        limit,
+        sortBy,
+        sortOrder,
+        has_more,
+        next_cursor
+    };
+
+    if (params.includeTotal === "true") {
+        envelope.total = await collection.countDocuments(query);
+    }
+
+    return envelope;
+};
+
+module.exports = {
+    defaultPageSize,
+    maxPageSize,
+    encodeCursor,
+    decodeCursor,
+    getKeysetCondition,
+    paginateWithCursor
+};
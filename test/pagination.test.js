@@ -0,0 +1,143 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { paginateWithCursor } = require("../pagination");
+
+// mongo ordering for the values used here: null/missing first, then numbers, then dates
+const typeRank = (value) => {
+    if (value === null || value === undefined) {
+        return 0;
+    }
+    return value instanceof Date ? 2 : 1;
+};
+
+const compareValues = (a, b) => {
+    const rankDiff = typeRank(a) - typeRank(b);
+    if (rankDiff !== 0) {
+        return rankDiff;
+    }
+    if (typeRank(a) === 0) {
+        return 0;
+    }
+    return Number(a) - Number(b);
+};
+
+// comparisons only match values of the same type, like mongo's type bracketing
+const matchesCondition = (value, condition) => {
+    if (condition === null) {
+        return value === null || value === undefined;
+    }
+    if (typeof condition !== "object" || condition instanceof Date) {
+        return compareValues(value, condition) === 0 && typeRank(value) === typeRank(condition);
+    }
+
+    return Object.entries(condition).every(([operator, operand]) => {
+        const sameType = typeRank(value) === typeRank(operand);
+        switch (operator) {
+            case "$lt":
+                return sameType && compareValues(value, operand) < 0;
+            case "$gt":
+                return sameType && compareValues(value, operand) > 0;
+            case "$ne":
+                return !matchesCondition(value, operand);
+            case "$in":
+                return operand.some((item) => matchesCondition(value, item));
+            default:
+                throw new Error(`Unsupported operator ${operator}`);
+        }
+    });
+};
+
+const matchesQuery = (doc, query) => Object.entries(query).every(([key, condition]) => {
+    if (key === "$and") {
+        return condition.every((part) => matchesQuery(doc, part));
+    }
+    if (key === "$or") {
+        return condition.some((part) => matchesQuery(doc, part));
+    }
+    return matchesCondition(doc[key], condition);
+});
+
+// just enough of a mongodb collection for paginateWithCursor
+const createCollection = (docs) => ({
+    find: (query) => {
+        let results = docs.filter((doc) => matchesQuery(doc, query));
+        const cursor = {
+            sort: (sort) => {
+                results = [...results].sort((a, b) => {
+                    for (const [field, direction] of Object.entries(sort)) {
+                        const diff = compareValues(a[field], b[field]);
+                        if (diff !== 0) {
+                            return diff * direction;
+                        }
+                    }
+                    return 0;
+                });
+                return cursor;
+            },
+            limit: (count) => {
+                results = results.slice(0, count);
+                return cursor;
+            },
+            toArray: async () => results
+        };
+        return cursor;
+    },
+    countDocuments: async (query) => docs.filter((doc) => matchesQuery(doc, query)).length
+});
+
+const paymentSorts = {
+    newest: [["paidAt", -1]],
+    oldest: [["paidAt", 1]],
+    amount: [["amount", -1], ["paidAt", -1]]
+};
+
+// paid payments have paidAt, failed and pending ones don't
+const payments = Array.from({ length: 11 }, (item, index) => {
+    const payment = { _id: index + 1, amount: (index % 3) * 100 };
+    if (index % 2 === 0) {
+        payment.paidAt = new Date(Date.UTC(2024, 0, index + 1));
+    } else if (index % 4 === 1) {
+        payment.paidAt = null;
+    }
+    return payment;
+});
+
+const collectPages = async (params) => {
+    const collection = createCollection(payments);
+    const ids = [];
+    let cursor;
+
+    do {
+        const page = await paginateWithCursor(collection, {}, { ...params, limit: "3", cursor }, {
+            sorts: paymentSorts,
+            defaultSort: "newest"
+        });
+        assert.equal(page.message, undefined);
+        ids.push(...page.result.map((payment) => payment._id));
+        cursor = page.next_cursor;
+    } while (cursor);
+
+    return ids;
+};
+
+test("descending pages reach documents without the sort field", async () => {
+    const ids = await collectPages({ sortBy: "newest" });
+
+    assert.deepEqual(ids, [11, 9, 7, 5, 3, 1, 10, 8, 6, 4, 2]);
+});
+
+test("ascending pages start with documents without the sort field", async () => {
+    const ids = await collectPages({ sortBy: "oldest" });
+
+    assert.deepEqual(ids, [2, 4, 6, 8, 10, 1, 3, 5, 7, 9, 11]);
+});
+
+test("descending secondary field keeps nulls within each primary value", async () => {
+    const ids = await collectPages({ sortBy: "amount" });
+    const expected = [...payments]
+        .sort((a, b) => b.amount - a.amount || compareValues(b.paidAt, a.paidAt) || b._id - a._id)
+        .map((payment) => payment._id);
+
+    assert.deepEqual(ids, expected);
+    assert.equal(new Set(ids).size, payments.length);
+});